@@ -0,0 +1,109 @@
+// ============================================================================
+// SHRED OR DEAD - Course checker
+// Validates terrain course files (courses/terrain/*.json) with the same parser
+// the game loads them with, and prints every problem with its line number.
+// Olympics venues (courses/olympics/*.json) go through the game's course
+// rules, then get ridden hands-off: a run with no input must not take gold.
+//
+//   node tools/check-course.js courses/terrain/firstTracks.json [more.json ...]
+//   node tools/check-course.js courses/olympics/stelvio.json
+//   node tools/check-course.js --self-test
+//
+// Exits with code 1 when any file has errors. --self-test checks the checker:
+// the bundled courses pass, dropping any required top-level field gets that
+// field reported instead of a crash or a hang, and a venue with a gold time
+// nobody has to work for is rejected.
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { checkTerrainCourse, checkOlympicsCourse } = require('./headless');
+
+const SAMPLE_COURSE = path.join(__dirname, '..', 'courses', 'terrain', 'firstTracks.json');
+const OLYMPICS_DIR = path.join(__dirname, '..', 'courses', 'olympics');
+const REQUIRED_FIELDS = ['format', 'version', 'id', 'chunks'];
+
+// Returns a list of failures, empty when the checker behaves
+function selfTest() {
+    const failures = [];
+    const sample = JSON.parse(fs.readFileSync(SAMPLE_COURSE, 'utf8'));
+    const clean = checkTerrainCourse(JSON.stringify(sample, null, 4));
+    if (clean.length) failures.push(`${path.basename(SAMPLE_COURSE)} should pass: ${clean.join('; ')}`);
+    for (const field of REQUIRED_FIELDS) {
+        const course = Object.assign({}, sample);
+        delete course[field];
+        const errors = checkTerrainCourse(JSON.stringify(course, null, 4));
+        if (!errors.some(error => error.startsWith(`line 1: ${field} `))) {
+            failures.push(`missing ${field} should be reported on line 1, got: ${errors.join('; ') || 'no errors'}`);
+        }
+    }
+    const stray = checkTerrainCourse('{"a": 1}');
+    if (stray.length !== REQUIRED_FIELDS.length) {
+        failures.push(`an object with none of the fields should report all ${REQUIRED_FIELDS.length}, got: ${stray.join('; ')}`);
+    }
+
+    const venues = JSON.parse(fs.readFileSync(path.join(OLYMPICS_DIR, 'index.json'), 'utf8')).courses;
+    for (const id of venues) {
+        const errors = checkOlympicsCourse(fs.readFileSync(path.join(OLYMPICS_DIR, id + '.json'), 'utf8'));
+        if (errors.length) failures.push(`${id}.json should pass: ${errors.join('; ')}`);
+    }
+    const easy = JSON.parse(fs.readFileSync(path.join(OLYMPICS_DIR, venues[0] + '.json'), 'utf8'));
+    easy.medals = { gold: 60, silver: 70, bronze: 80 };
+    if (!checkOlympicsCourse(JSON.stringify(easy)).some(error => error.includes('inside gold'))) {
+        failures.push('a gold time a hands-off run beats should be rejected');
+    }
+    return failures;
+}
+
+// Olympics venues are told apart from terrain courses by their segment list
+function checkCourse(text) {
+    let data = null;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        // Let the terrain parser report where the JSON breaks
+    }
+    if (data && Array.isArray(data.segments)) return checkOlympicsCourse(text);
+    return checkTerrainCourse(text);
+}
+
+function main() {
+    if (process.argv.includes('--self-test')) {
+        const failures = selfTest();
+        for (const failure of failures) console.log(`FAIL  ${failure}`);
+        if (failures.length) {
+            process.exitCode = 1;
+        } else {
+            console.log('ok    self-test');
+        }
+        return;
+    }
+    const files = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    if (files.length === 0 || process.argv.includes('--help')) {
+        console.log('Usage: node tools/check-course.js <course.json> [more.json ...]');
+        console.log('       node tools/check-course.js --self-test');
+        return;
+    }
+
+    let failed = 0;
+    for (const file of files) {
+        let errors;
+        try {
+            errors = checkCourse(fs.readFileSync(file, 'utf8'));
+        } catch (e) {
+            errors = [e.message];
+        }
+        if (errors.length === 0) {
+            console.log(`ok    ${file}`);
+            continue;
+        }
+        failed++;
+        console.log(`FAIL  ${file}`);
+        for (const error of errors) {
+            console.log(error.startsWith('line ') ? `      ${file}:${error.slice(5)}` : `      ${file}: ${error}`);
+        }
+    }
+    if (failed) process.exitCode = 1;
+}
+
+main();
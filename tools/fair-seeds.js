@@ -0,0 +1,94 @@
+// ============================================================================
+// SHRED OR DEAD - Unfair seed report
+// Generates the opening chunks of many seeds with the game's own terrain code
+// and reports every chunk that walls the rider in: no line through it at top
+// speed until obstacles are removed (see TERRAIN PASSAGE in game.js). The game
+// clears those chunks as it builds them; this finds the seeds that need it.
+//
+//   node tools/fair-seeds.js [--seeds 1-200] [--chunks 200] [--map classic]
+//       [--modifier tinyLanes] [--resolution 480x640] [--json]
+//
+// --modifier runs the seeds as daily challenges with that modifier. Density
+// tops out at TERRAIN.densityRampDistance (4000 m, chunk 667), so use
+// --chunks 700 to cover the densest terrain. Exits with code 1 when any chunk
+// couldn't be cleared.
+// ============================================================================
+
+const { loadGame, startRun, parseArgs } = require('./headless');
+
+const DEFAULT_SEEDS = '1-200';
+const DEFAULT_CHUNKS = 200;
+
+// "1-200", "7,42,1000" or a mix of both
+function parseSeeds(spec) {
+    const seeds = [];
+    for (const part of String(spec).split(',')) {
+        const range = part.match(/^(\d+)-(\d+)$/);
+        if (range) {
+            for (let seed = Number(range[1]); seed <= Number(range[2]); seed++) seeds.push(seed);
+        } else if (/^\d+$/.test(part)) {
+            seeds.push(Number(part));
+        } else {
+            throw new Error(`Bad seed list "${spec}"`);
+        }
+    }
+    return seeds;
+}
+
+// Audits each seed and returns { seeds, chunks, unfair: [{ seed, chunk, ... }] }
+function findUnfairSeeds(options = {}) {
+    const seeds = parseSeeds(options.seeds || DEFAULT_SEEDS);
+    const chunks = options.chunks || DEFAULT_CHUNKS;
+    const unfair = [];
+    for (const seed of seeds) {
+        // A fresh game per seed: daily modifiers change PHYSICS and TERRAIN in place
+        const game = loadGame({ resolution: options.resolution });
+        startRun(game, options.modifier
+            ? { mode: 'daily', seed, dailyModifier: options.modifier }
+            : { mode: 'og', seed, map: options.map });
+        for (const entry of game.eval(`auditTerrainPassage(${chunks})`)) {
+            unfair.push(Object.assign({ seed }, entry));
+        }
+    }
+    return { seeds: seeds.length, chunks, unfair };
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log('Usage: node tools/fair-seeds.js [--seeds 1-200] [--chunks 200] [--map classic]');
+        console.log('       [--modifier tinyLanes] [--resolution 480x640] [--json]');
+        return;
+    }
+
+    const report = findUnfairSeeds({
+        seeds: args.seeds,
+        chunks: args.chunks ? Number(args.chunks) : undefined,
+        map: args.map,
+        modifier: args.modifier,
+        resolution: args.resolution
+    });
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        for (const u of report.unfair) {
+            const fix = u.cleared ? `cleared by removing ${u.removed} of ${u.obstacles} obstacles` : 'NOT CLEARED';
+            console.log(`seed ${u.seed}  chunk ${u.chunk} (${u.distance} m)  ${fix}`);
+        }
+        const seeds = new Set(report.unfair.map(u => u.seed)).size;
+        console.log(`\n${seeds} of ${report.seeds} seeds walled the rider in, ${report.unfair.length} chunks in all (${report.chunks} chunks per seed)`);
+    }
+    if (report.unfair.some(u => !u.cleared)) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (e) {
+        console.error(e.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { findUnfairSeeds, parseSeeds };
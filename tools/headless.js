@@ -0,0 +1,509 @@
+// ============================================================================
+// SHRED OR DEAD - Headless simulation harness
+// Loads game.js into a Node vm with the browser surface (document, canvas,
+// audio, storage) stubbed out and steps the simulation without drawing.
+//
+//   const { runSimulation } = require('./tools/headless');
+//   const result = runSimulation({ seed: 1234, mode: 'og', inputs: [
+//       { frames: 60 },                          // ride straight for 1s
+//       { seconds: 0.5, left: true },            // carve left
+//       { frames: 3, space: true }               // tap jump
+//   ] });
+//   // => { seed, mode, map, score, distance, maxCombo, endReason, events, ... }
+//
+// CLI:
+//   node tools/headless.js --seed 1234 --mode slalom [--map classic] [--course stelvio] [--modifier noRails]
+//       [--terrain firstTracks] [--trick-controls pro]
+//       [--inputs script.json] [--replay run.json] [--resolution 480x640]
+//       [--max-seconds 600] [--events] [--haptics] [--verbose]
+//
+// Each call gets a fresh context, so runs never share state.
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const GAME_PATH = path.join(__dirname, '..', 'game.js');
+const COURSE_DIR = path.join(__dirname, '..', 'courses', 'olympics');
+const TERRAIN_DIR = path.join(__dirname, '..', 'courses', 'terrain');
+const DEFAULT_DT = 1 / 60;
+const DEFAULT_MAX_SECONDS = 600;
+const INPUT_KEYS = ['left', 'right', 'up', 'down', 'space', 'indy', 'melon', 'method', 'stalefish', 'tail'];
+const ANALOG_KEYS = ['analogSteer', 'analogTuck', 'analogBrake'];
+// Seeds an Olympics course is ridden hands-off on by checkOlympicsCourse
+const IDLE_CHECK_SEEDS = [1, 2, 3];
+const IDLE_CHECK_SECONDS = 120;
+
+let gameSource = null;
+let courseDefs = null;
+let terrainTexts = null;
+
+// ===================
+// BROWSER STUBS
+// ===================
+
+// An object that absorbs any property access, call or construction. Stands in
+// for DOM elements, canvas contexts and audio nodes the simulation never reads.
+function createNullObject() {
+    const target = function () {};
+    return new Proxy(target, {
+        get(t, key) {
+            if (key === Symbol.toPrimitive) return () => 0;
+            if (key === 'then') return undefined; // not a thenable
+            if (key === 'length') return 0;
+            if (!(key in t)) t[key] = createNullObject();
+            return t[key];
+        },
+        set(t, key, value) {
+            t[key] = value;
+            return true;
+        },
+        apply() { return createNullObject(); },
+        construct() { return createNullObject(); }
+    });
+}
+
+function createStorage() {
+    const store = new Map();
+    return {
+        getItem: key => (store.has(key) ? store.get(key) : null),
+        setItem: (key, value) => { store.set(key, String(value)); },
+        removeItem: key => { store.delete(key); },
+        clear: () => store.clear()
+    };
+}
+
+function createContext(verbose) {
+    const noop = () => {};
+    const elements = {};
+    const document = createNullObject();
+    document.getElementById = id => elements[id] || (elements[id] = createNullObject());
+    document.querySelector = () => null;
+    document.querySelectorAll = () => [];
+    document.addEventListener = noop;
+    document.createElement = () => createNullObject();
+
+    const sandbox = {
+        console: verbose ? console : { log: noop, info: noop, debug: noop, warn: noop, error: console.error },
+        Math, JSON, Date, Promise, URLSearchParams,
+        // Wall-clock timers only drive UI (music fades, toasts); never fire them
+        setTimeout: () => 0,
+        clearTimeout: noop,
+        setInterval: () => 0,
+        clearInterval: noop,
+        requestAnimationFrame: () => 0,
+        performance: { now: () => 0 },
+        localStorage: createStorage(),
+        navigator: { userAgent: 'node', maxTouchPoints: 0, getGamepads: () => [] },
+        location: { search: '', href: '' },
+        innerWidth: 480,
+        innerHeight: 640,
+        document,
+        Image: function () { return createNullObject(); },
+        Audio: function () { return createNullObject(); },
+        Blob: function () {},
+        URL: { createObjectURL: () => '', revokeObjectURL: noop },
+        FileReader: function () {},
+        fetch: () => Promise.reject(new Error('fetch unavailable in headless mode')),
+        alert: noop,
+        prompt: () => null,
+        addEventListener: noop,
+        removeEventListener: noop
+    };
+    sandbox.window = sandbox;
+    sandbox.self = sandbox;
+    vm.createContext(sandbox);
+    return sandbox;
+}
+
+function loadGame(options) {
+    if (!gameSource) gameSource = fs.readFileSync(GAME_PATH, 'utf8');
+    const context = createContext(options.verbose);
+    vm.runInContext(gameSource, context, { filename: 'game.js' });
+
+    // Menu helpers live in index.html; the simulation only calls them on screen changes
+    vm.runInContext('function showStartScreen() {} function hideStartScreen() {}', context);
+    vm.runInContext(`setResolution(${JSON.stringify(options.resolution || '480x640')})`, context);
+    registerCourses(context);
+    if (options.courseDef) {
+        const error = vm.runInContext('registerOlympicsCourse', context)(options.courseDef);
+        if (error) throw new Error('Olympics course: ' + error);
+    }
+    // No pads or motors here: record the haptic effects instead
+    vm.runInContext('hapticsManager.backend = createMockHaptics()', context);
+
+    // Top-level const/let bindings aren't properties of the context object
+    const game = vm.runInContext('({ gameState, input, replaySystem, dailyChallenge, hapticsManager })', context);
+    game.eval = code => vm.runInContext(code, context);
+    return game;
+}
+
+// The browser fetches courses/olympics/ and courses/terrain/; here they're
+// read straight off disk
+function registerCourses(context) {
+    if (!courseDefs) {
+        const index = JSON.parse(fs.readFileSync(path.join(COURSE_DIR, 'index.json'), 'utf8'));
+        courseDefs = index.courses.map(id => JSON.parse(fs.readFileSync(path.join(COURSE_DIR, id + '.json'), 'utf8')));
+    }
+    const register = vm.runInContext('registerOlympicsCourse', context);
+    for (const def of courseDefs) {
+        const error = register(def);
+        if (error) throw new Error('Olympics course: ' + error);
+    }
+
+    if (!terrainTexts) {
+        const index = JSON.parse(fs.readFileSync(path.join(TERRAIN_DIR, 'index.json'), 'utf8'));
+        terrainTexts = index.courses.map(id => ({ id, text: fs.readFileSync(path.join(TERRAIN_DIR, id + '.json'), 'utf8') }));
+    }
+    const registerTerrain = vm.runInContext('registerTerrainCourse', context);
+    for (const { id, text } of terrainTexts) {
+        const errors = registerTerrain(text);
+        if (errors.length) throw new Error(`Terrain course ${id}.json:\n` + errors.join('\n'));
+    }
+}
+
+// Validates terrain course file text with the game's own parser. Returns the
+// line-numbered errors, empty when the file is good.
+function checkTerrainCourse(text) {
+    if (!gameSource) gameSource = fs.readFileSync(GAME_PATH, 'utf8');
+    const context = createContext(false);
+    vm.runInContext(gameSource, context, { filename: 'game.js' });
+    return Array.from(vm.runInContext('parseTerrainCourse', context)(text).errors);
+}
+
+// Checks an Olympics course file: the game's own registration rules, then a
+// hands-off run on a few seeds, which must not finish inside the gold time.
+// Returns the errors, empty when the course is good.
+function checkOlympicsCourse(text) {
+    let def;
+    try {
+        def = JSON.parse(text);
+    } catch (e) {
+        return [e.message];
+    }
+    if (!gameSource) gameSource = fs.readFileSync(GAME_PATH, 'utf8');
+    const context = createContext(false);
+    vm.runInContext(gameSource, context, { filename: 'game.js' });
+    const error = vm.runInContext('registerOlympicsCourse', context)(def);
+    if (error) return [error];
+
+    const errors = [];
+    for (const seed of IDLE_CHECK_SEEDS) {
+        const result = runSimulation({ seed, mode: 'olympics', course: def.id, courseDef: def, maxSeconds: IDLE_CHECK_SECONDS });
+        const run = result.olympics;
+        if (run.finished && run.time <= def.medals.gold) {
+            errors.push(`seed ${seed}: riding hands-off finishes in ${run.time.toFixed(2)}s, inside gold (${def.medals.gold}s)`);
+        }
+    }
+    return errors;
+}
+
+// ===================
+// INPUT SCRIPTS
+// ===================
+
+// Expands [{ frames | seconds, left, right, up, down, space }, ...] into one
+// input state per frame. Pro control grabs (indy, melon, method, stalefish,
+// tail) are held the same way. Gamepad analog strengths (analogSteer -1 to 1,
+// analogTuck and analogBrake 0 to 1) are numbers, already through the curve.
+function expandInputScript(inputs, dt) {
+    const frames = [];
+    for (const step of inputs || []) {
+        const count = step.frames !== undefined
+            ? Math.max(0, Math.round(step.frames))
+            : Math.max(0, Math.round((step.seconds || 0) / dt));
+        const state = {};
+        for (const key of INPUT_KEYS) state[key] = !!step[key];
+        for (const key of ANALOG_KEYS) state[key] = Number(step[key]) || 0;
+        for (let i = 0; i < count; i++) frames.push(state);
+    }
+    return frames;
+}
+
+// ===================
+// EVENT LOG
+// ===================
+
+// Watches gameState between frames and turns transitions into log entries
+function createEventObserver(game) {
+    const events = [];
+    const seenCelebrations = new WeakSet();
+    let prev = null;
+
+    function snapshot() {
+        const gs = game.gameState;
+        const player = gs.player || {};
+        return {
+            screen: gs.screen,
+            crashed: !!player.crashed,
+            airborne: !!player.airborne,
+            grinding: !!player.grinding,
+            lodge: !!(gs.lodge && gs.lodge.active),
+            gates: gs.slalom ? gs.slalom.gatesPassed + gs.slalom.gatesMissed : 0,
+            checkpoint: gs.olympics ? gs.olympics.currentCheckpoint : 0
+        };
+    }
+
+    return {
+        events,
+
+        observe(frame, time) {
+            const gs = game.gameState;
+            const cur = snapshot();
+            const push = (type, data) => events.push(Object.assign({ frame, time: +time.toFixed(4), type }, data));
+
+            for (const c of gs.celebrations || []) {
+                if (seenCelebrations.has(c)) continue;
+                seenCelebrations.add(c);
+                const entry = { text: c.text, subtext: c.subtext || '' };
+                if (c.detail) entry.detail = c.detail;
+                push('celebration', entry);
+            }
+
+            if (prev) {
+                if (cur.screen !== prev.screen) push('screen', { from: prev.screen, to: cur.screen });
+                if (cur.crashed && !prev.crashed) push('crash', { score: gs.score });
+                if (cur.airborne !== prev.airborne) push(cur.airborne ? 'jump' : 'land', {});
+                if (cur.grinding !== prev.grinding) push(cur.grinding ? 'grindStart' : 'grindEnd', {});
+                if (cur.lodge !== prev.lodge) push(cur.lodge ? 'lodgeEnter' : 'lodgeExit', {});
+                if (cur.gates > prev.gates) {
+                    const gate = gs.slalom.gates[gs.slalom.nextGateIndex - 1];
+                    push('gate', { index: gs.slalom.nextGateIndex - 1, passed: !!(gate && gate.passed) });
+                }
+                if (cur.checkpoint > prev.checkpoint) {
+                    const cp = gs.olympics.checkpoints[cur.checkpoint - 1];
+                    push('checkpoint', { index: cur.checkpoint - 1, name: cp.segmentName, split: cp.splitTime });
+                }
+            }
+            prev = cur;
+        }
+    };
+}
+
+// ===================
+// SIMULATION
+// ===================
+
+// Starts the requested run and returns its mode and daily modifier for the report
+function startRun(game, options) {
+    const mode = options.mode || 'og';
+    if (options.trickControls) game.eval(`displaySettings.trickControls = ${JSON.stringify(options.trickControls)}`);
+    if (mode === 'daily') {
+        if (options.seed !== undefined) {
+            game.dailyChallenge.setSeed(Number(options.seed) >>> 0);
+        } else {
+            game.dailyChallenge.generateForToday();
+        }
+        if (options.dailyModifier) game.dailyChallenge.modifier = options.dailyModifier;
+        game.eval('startDailyChallenge()');
+        return { mode, dailyModifier: game.dailyChallenge.modifier };
+    }
+    if (options.seed !== undefined) game.eval(`requestedRunSeed = ${Number(options.seed) >>> 0}`);
+    game.eval(`selectedMode = ${JSON.stringify(mode)}`);
+    game.eval(`selectedMap = ${JSON.stringify(options.map || 'classic')}`);
+    if (options.course) game.eval(`selectedOlympicsCourse = ${JSON.stringify(options.course)}`);
+    if (options.terrain) {
+        if (!game.eval(`!!TERRAIN_COURSES[${JSON.stringify(options.terrain)}]`)) throw new Error(`No terrain course "${options.terrain}"`);
+        game.eval(`selectedTerrainCourse = ${JSON.stringify(options.terrain)}`);
+    }
+    game.eval('startSelectedMode()');
+    return { mode, dailyModifier: null };
+}
+
+function buildResult(game, run, endReason, frame, time, observer) {
+    const gs = game.gameState;
+    const result = {
+        simVersion: game.eval('SIM_VERSION'),
+        seed: gs.terrain ? gs.terrain.seed : null,
+        mode: run.mode,
+        map: game.eval('selectedMap'),
+        dailyModifier: run.dailyModifier,
+        terrain: gs.terrain && gs.terrain.course ? gs.terrain.course.id : null,
+        endReason,
+        frames: frame,
+        time: +time.toFixed(4),
+        score: gs.score,
+        distance: gs.distance,
+        maxCombo: gs.maxCombo,
+        events: observer.events
+    };
+    if (gs.mode === 'slalom' && gs.slalom) {
+        result.slalom = {
+            finished: gs.slalom.finished,
+            time: gs.slalom.finishTime,
+            penalties: gs.slalom.penalties,
+            gatesPassed: gs.slalom.gatesPassed,
+            gatesMissed: gs.slalom.gatesMissed
+        };
+    }
+    if (gs.mode === 'olympics' && gs.olympics) {
+        result.olympics = {
+            finished: gs.olympics.finished,
+            time: gs.olympics.finishTime,
+            course: gs.olympics.courseId,
+            medal: gs.olympics.medal,
+            splits: gs.olympics.checkpoints.filter(cp => cp.passed).map(cp => cp.splitTime)
+        };
+    }
+    return result;
+}
+
+// { counts: { crash: 2, landing: 5, ... }, fired: [{ name, intensity, time }, ...] }
+function hapticsReport(game) {
+    const fired = game.hapticsManager.backend.fired.map(f => ({ name: f.name, intensity: +f.intensity.toFixed(3), time: +f.time.toFixed(4) }));
+    const counts = {};
+    for (const f of fired) counts[f.name] = (counts[f.name] || 0) + 1;
+    return { counts, fired };
+}
+
+function endReasonFor(game) {
+    const gs = game.gameState;
+    if (gs.screen === 'gameOver') return 'gameOver';
+    if (gs.screen === 'slalomResults') return 'slalomFinished';
+    if (gs.mode === 'olympics' && gs.olympics && gs.olympics.finished) return 'olympicsFinished';
+    return 'ended';
+}
+
+// Runs one seeded run to completion and reports the outcome.
+//   options.seed          terrain seed (random when omitted)
+//   options.mode          'og' | 'slalom' | 'olympics' | 'daily'
+//   options.map           map theme for OG mode
+//   options.course        course id for Olympics mode (default stelvio)
+//   options.courseDef     Olympics course definition to register on top of courses/olympics/
+//   options.terrain       terrain course id to swap in for OG mode
+//   options.dailyModifier override the modifier derived from the daily seed
+//   options.trickControls 'auto' (default) or 'pro' trick controls
+//   options.inputs        input script (see expandInputScript); inputs are released after it ends
+//   options.replay        recorded replay object; replaces seed/mode/map/inputs
+//   options.dt            fixed timestep (default 1/60)
+//   options.maxSeconds    give up after this much simulated time
+//   options.includeReplay attach the replay recorded during the run
+//   options.haptics       attach the haptic effects the run fired
+function runSimulation(options = {}) {
+    let replayText = null;
+    if (options.replay) {
+        replayText = typeof options.replay === 'string' ? options.replay : JSON.stringify(options.replay);
+        // Spawning and slope width depend on the recorded resolution
+        const recorded = JSON.parse(replayText).resolution;
+        if (recorded && !options.resolution) options = Object.assign({}, options, { resolution: recorded });
+    }
+
+    const game = loadGame(options);
+    const observer = createEventObserver(game);
+    const maxSeconds = options.maxSeconds || DEFAULT_MAX_SECONDS;
+    let frame = 0;
+    let time = 0;
+
+    if (replayText) {
+        const replay = game.replaySystem.parse(replayText);
+        if (!replay) throw new Error('Invalid replay');
+        game.replaySystem.watch(replay);
+        // Replays don't rumble in the game; the harness still records what the run fired
+        game.hapticsManager.enabled = true;
+        const run = replay.daily
+            ? { mode: 'daily', dailyModifier: replay.daily.modifier }
+            : { mode: replay.mode, dailyModifier: null };
+        observer.observe(frame, time);
+        while (game.replaySystem.playing && game.replaySystem.frameIndex < replay.frames.length) {
+            time += replay.frames[game.replaySystem.frameIndex][0];
+            game.replaySystem._stepFrame();
+            frame++;
+            observer.observe(frame, time);
+        }
+        const result = buildResult(game, run, endReasonFor(game), frame, time, observer);
+        if (options.haptics) result.haptics = hapticsReport(game);
+        game.replaySystem.stop();
+        return result;
+    }
+
+    const dt = options.dt || DEFAULT_DT;
+    const script = expandInputScript(options.inputs, dt);
+    const released = {};
+    for (const key of INPUT_KEYS) released[key] = false;
+    for (const key of ANALOG_KEYS) released[key] = 0;
+
+    const run = startRun(game, options);
+    observer.observe(frame, time);
+
+    let endReason = 'timeout';
+    while (time < maxSeconds) {
+        Object.assign(game.input, script[frame] || released);
+        game.eval(`stepGameFrame(${dt}, false, true)`);
+        frame++;
+        time += dt;
+        observer.observe(frame, time);
+        if (!game.replaySystem.isRunActive()) {
+            endReason = endReasonFor(game);
+            break;
+        }
+    }
+
+    const result = buildResult(game, run, endReason, frame, time, observer);
+    if (options.includeReplay) result.replay = game.replaySystem.lastReplay;
+    if (options.haptics) result.haptics = hapticsReport(game);
+    return result;
+}
+
+// ===================
+// CLI
+// ===================
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+        const key = arg.slice(2).replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log('Usage: node tools/headless.js --seed <n> --mode <og|slalom|olympics|daily> [--map <id>] [--course <id>] [--modifier <id>]');
+        console.log('       [--terrain <id>] [--trick-controls <auto|pro>]');
+        console.log('       [--inputs script.json] [--replay run.json] [--resolution 480x640]');
+        console.log('       [--max-seconds <s>] [--events] [--haptics] [--verbose]');
+        return;
+    }
+
+    const options = {
+        mode: args.mode,
+        map: args.map,
+        course: args.course,
+        terrain: args.terrain,
+        resolution: args.resolution,
+        dailyModifier: args.modifier,
+        trickControls: args.trickControls,
+        maxSeconds: args.maxSeconds ? Number(args.maxSeconds) : undefined,
+        haptics: !!args.haptics,
+        verbose: !!args.verbose
+    };
+    if (args.seed !== undefined) options.seed = Number(args.seed);
+    if (args.inputs) options.inputs = JSON.parse(fs.readFileSync(args.inputs, 'utf8'));
+    if (args.replay) options.replay = fs.readFileSync(args.replay, 'utf8');
+
+    const result = runSimulation(options);
+    if (!args.events) result.events = result.events.length;
+    console.log(JSON.stringify(result, null, 2));
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (e) {
+        console.error(e.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { runSimulation, expandInputScript, checkTerrainCourse, checkOlympicsCourse, loadGame, startRun, parseArgs };
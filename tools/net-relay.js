@@ -0,0 +1,207 @@
+// ============================================================================
+// SHRED OR DEAD - Local multiplayer relay
+// A tiny WebSocket relay for testing online races on one machine. Every text
+// message a client sends is forwarded to the other clients in the same room,
+// stamped with serverTime (ms) so riders share one clock for the race start.
+//
+//   node tools/net-relay.js [--port 8787]
+//
+// Then open the game with ?net=websocket (and ?netUrl=ws://host:port when the
+// relay runs elsewhere). The room is the URL path: ws://localhost:8787/<room>.
+// No dependencies: just enough of RFC 6455 for text frames, ping and close.
+// ============================================================================
+
+const http = require('http');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 8787;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 64 * 1024; // Snapshots are tiny; anything bigger is junk
+
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xA };
+const CLOSE_CODES = { protocolError: 1002, tooBig: 1009 };
+
+// ===================
+// FRAMING
+// ===================
+
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Pulls whole frames off the front of the buffer. Returns { frames, rest,
+// closeCode }: closeCode is set when the client broke the protocol or sent a
+// frame over MAX_MESSAGE_BYTES, and frames holds the good ones before it.
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const first = buffer[offset];
+        const second = buffer[offset + 1];
+        const masked = (second & 0x80) !== 0;
+        let length = second & 0x7F;
+        let pos = offset + 2;
+        if (length === 126) {
+            if (buffer.length < pos + 2) break;
+            length = buffer.readUInt16BE(pos);
+            pos += 2;
+        } else if (length === 127) {
+            if (buffer.length < pos + 8) break;
+            length = Number(buffer.readBigUInt64BE(pos));
+            pos += 8;
+        }
+        // Clients must mask (RFC 6455 5.1); fragmented messages aren't needed here
+        if (!masked || (first & 0x80) === 0) return { frames, rest: null, closeCode: CLOSE_CODES.protocolError };
+        if (length > MAX_MESSAGE_BYTES) return { frames, rest: null, closeCode: CLOSE_CODES.tooBig };
+        if (buffer.length < pos + 4 + length) break;
+        const mask = buffer.subarray(pos, pos + 4);
+        const payload = Buffer.from(buffer.subarray(pos + 4, pos + 4 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        frames.push({ opcode: first & 0x0F, payload });
+        offset = pos + 4 + length;
+    }
+    return { frames, rest: buffer.subarray(offset), closeCode: null };
+}
+
+function encodeClose(code) {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    return encodeFrame(OPCODES.close, payload);
+}
+
+// ===================
+// RELAY
+// ===================
+
+function createRelay() {
+    const rooms = new Map(); // room -> Set of clients
+
+    function send(client, text) {
+        if (!client.socket.destroyed) client.socket.write(encodeFrame(OPCODES.text, Buffer.from(text)));
+    }
+
+    function broadcast(from, msg) {
+        const text = JSON.stringify(Object.assign(msg, { serverTime: Date.now() }));
+        for (const client of rooms.get(from.room) || []) {
+            if (client !== from) send(client, text);
+        }
+    }
+
+    function leave(client) {
+        const room = rooms.get(client.room);
+        if (!room || !room.delete(client)) return;
+        if (room.size === 0) rooms.delete(client.room);
+        // Riders who vanish without a bye still drop off everyone's list
+        if (client.riderId) broadcast(client, { type: 'bye', id: client.riderId });
+        console.log(`- ${client.riderId || 'client'} left ${client.room} (${room.size} left)`);
+    }
+
+    function onMessage(client, text) {
+        let msg;
+        try {
+            msg = JSON.parse(text);
+        } catch (e) {
+            return;
+        }
+        if (!msg || typeof msg.type !== 'string' || typeof msg.id !== 'string') return;
+        if (msg.type === 'hello') client.riderId = msg.id;
+        broadcast(client, msg);
+    }
+
+    function reject(socket) {
+        socket.on('error', () => {});
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n', () => socket.destroy());
+    }
+
+    function accept(req, socket) {
+        const key = req.headers['sec-websocket-key'];
+        let roomName;
+        try {
+            roomName = decodeURIComponent(req.url.split('?')[0].replace(/^\/+/, '')) || 'lobby';
+        } catch (e) {
+            reject(socket); // Malformed %-escape in the room name
+            return;
+        }
+        if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+            reject(socket);
+            return;
+        }
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+
+        const client = { socket, room: roomName, riderId: null, buffer: Buffer.alloc(0) };
+        if (!rooms.has(roomName)) rooms.set(roomName, new Set());
+        rooms.get(roomName).add(client);
+        console.log(`+ client joined ${roomName} (${rooms.get(roomName).size} in room)`);
+        send(client, JSON.stringify({ type: 'welcome', room: roomName, serverTime: Date.now() }));
+
+        socket.on('data', (chunk) => {
+            if (socket.writableEnded) return; // Closing: nothing more gets through
+            const decoded = decodeFrames(Buffer.concat([client.buffer, chunk]));
+            client.buffer = decoded.rest || Buffer.alloc(0);
+            for (const frame of decoded.frames) {
+                if (socket.writableEnded) break;
+                if (frame.opcode === OPCODES.text) {
+                    onMessage(client, frame.payload.toString('utf8'));
+                } else if (frame.opcode === OPCODES.ping) {
+                    socket.write(encodeFrame(OPCODES.pong, frame.payload));
+                } else if (frame.opcode === OPCODES.close) {
+                    socket.end(encodeFrame(OPCODES.close, Buffer.alloc(0)));
+                }
+            }
+            // Frames before the bad one were delivered above
+            if (decoded.closeCode && !socket.writableEnded) {
+                socket.end(encodeClose(decoded.closeCode), () => socket.destroy());
+            }
+        });
+        socket.on('close', () => leave(client));
+        socket.on('error', () => leave(client));
+    }
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('Shred or Dead relay: connect with a WebSocket\n');
+    });
+    server.on('upgrade', accept);
+    return { server, rooms };
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    if (args.includes('--help')) {
+        console.log('Usage: node tools/net-relay.js [--port 8787]');
+        return;
+    }
+    const portIndex = args.indexOf('--port');
+    const port = portIndex !== -1 ? parseInt(args[portIndex + 1], 10) : DEFAULT_PORT;
+    const { server } = createRelay();
+    server.listen(port, () => {
+        console.log(`Shred or Dead relay on ws://localhost:${port}/<room>`);
+    });
+}
+
+if (require.main === module) main();
+
+module.exports = { createRelay, encodeFrame, decodeFrames };
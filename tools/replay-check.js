@@ -0,0 +1,87 @@
+// ============================================================================
+// SHRED OR DEAD - Replay regression check
+// Rides a fixed input script in every mode, then re-simulates the replay the
+// run recorded and checks it ends the same way: score, distance, combo, time
+// and every logged event. A mismatch means the simulation picked up something
+// a replay doesn't carry (Math.random, wall-clock time, state left over from
+// the menu), so saved replays and leaderboard proofs would stop verifying.
+//
+//   node tools/replay-check.js
+//
+// Exits with code 1 when any run doesn't replay. `npm test` runs it after
+// check-course.js --self-test.
+// ============================================================================
+
+const { runSimulation } = require('./headless');
+
+const SEED = 777;
+
+// Carve left, right and straight, popping a jump between each
+const INPUTS = [];
+for (let i = 0; i < 200; i++) {
+    INPUTS.push({ frames: 40, left: i % 3 === 0, right: i % 3 === 1 }, { frames: 3, space: true });
+}
+
+const RUNS = [
+    { mode: 'og' },
+    { mode: 'og', map: 'backcountry' },
+    { mode: 'og', trickControls: 'pro' },
+    { mode: 'og', resolution: '600x800' },
+    { mode: 'slalom' },
+    { mode: 'olympics', course: 'stelvio' },
+    { mode: 'olympics', course: 'whistler' },
+    { mode: 'daily' }
+];
+
+function label(run) {
+    const extras = Object.keys(run).filter(key => key !== 'mode').map(key => `${key}=${run[key]}`);
+    return [run.mode].concat(extras).join(' ');
+}
+
+// The parts of a result a replay has to reproduce
+function outcome(result) {
+    const timed = result.slalom || result.olympics;
+    return {
+        endReason: result.endReason,
+        score: result.score,
+        distance: result.distance,
+        maxCombo: result.maxCombo,
+        time: timed ? timed.time : null,
+        events: result.events.length
+    };
+}
+
+// Returns a list of differences, empty when the replay matched
+function checkRun(run) {
+    const live = runSimulation(Object.assign({ seed: SEED, inputs: INPUTS, includeReplay: true }, run));
+    if (!live.replay) return [`the run ended by ${live.endReason}, so no replay was saved`];
+    // Through JSON, as a saved replay file would be
+    const replayed = runSimulation({ replay: JSON.stringify(live.replay) });
+    const expected = outcome(live);
+    const actual = outcome(replayed);
+    return Object.keys(expected)
+        .filter(key => expected[key] !== actual[key])
+        .map(key => `${key}: ran ${expected[key]}, replayed ${actual[key]}`);
+}
+
+function main() {
+    let failed = 0;
+    for (const run of RUNS) {
+        let differences;
+        try {
+            differences = checkRun(run);
+        } catch (e) {
+            differences = [e.message];
+        }
+        if (differences.length === 0) {
+            console.log(`ok    ${label(run)}`);
+            continue;
+        }
+        failed++;
+        console.log(`FAIL  ${label(run)}`);
+        for (const difference of differences) console.log(`      ${difference}`);
+    }
+    if (failed) process.exitCode = 1;
+}
+
+main();
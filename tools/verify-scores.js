@@ -0,0 +1,168 @@
+// ============================================================================
+// SHRED OR DEAD - Leaderboard submission verifier
+// Re-simulates the replay proof attached to each leaderboard entry and rejects
+// entries whose claimed result doesn't match what the inputs actually produce.
+//
+//   node tools/verify-scores.js <folder> [--json]
+//
+// Every *.json file in the folder holds one submitted entry or an array of
+// them, exactly as posted by leaderboard.submitScore/submitTime:
+//   { board, name, score, distance, combo, map, timestamp, proof }
+//   { board, name, time, timestamp, proof }
+// Anything else in the array (null, a number, a nested list) is rejected as
+// "entry is not an object", and the rest of the batch is still checked.
+// Exits with code 1 when any entry is rejected, unreadable or not an object.
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { runSimulation } = require('./headless');
+
+const MAX_FRAME_DT = 0.0334;   // gameLoop caps dt at 0.033
+const COMBO_TOLERANCE = 0.05;  // Clients round the combo for display
+
+// Rebuilds the replay that replaySystem.toProof() packed
+function decodeProof(proof) {
+    let log;
+    if (proof.encoding === 'deflate-raw/base64') {
+        log = zlib.inflateRawSync(Buffer.from(proof.log, 'base64')).toString('utf8');
+    } else if (proof.encoding === 'json') {
+        log = proof.log;
+    } else {
+        throw new Error(`unknown log encoding "${proof.encoding}"`);
+    }
+    const replay = Object.assign({}, proof, { frames: JSON.parse(log) });
+    delete replay.log;
+    delete replay.encoding;
+    delete replay.frameCount;
+    return replay;
+}
+
+// Which mode, map, course and daily flag a board id implies
+function boardRules(boardId) {
+    if (boardId === 'alltime') return { mode: 'og', daily: false };
+    if (boardId.startsWith('og_')) return { mode: 'og', map: boardId.slice(3), daily: false };
+    if (boardId.startsWith('daily_')) return { mode: 'og', daily: true };
+    if (boardId === 'slalom') return { mode: 'slalom' };
+    if (boardId.startsWith('olympics_')) return { mode: 'olympics', course: boardId.slice(9) };
+    return null;
+}
+
+// Returns null when the entry checks out, otherwise the reason it was rejected
+function verifyEntry(entry, simVersion) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return 'entry is not an object';
+    const proof = entry.proof;
+    if (!proof || typeof proof !== 'object') return 'no replay proof';
+    if (proof.sim !== simVersion) return `proof is for sim version ${proof.sim}, verifier runs ${simVersion}`;
+
+    const rules = boardRules(String(entry.board || ''));
+    if (!rules) return `unknown board "${entry.board}"`;
+    if (proof.mode !== rules.mode) return `board ${entry.board} takes ${rules.mode} runs, proof is ${proof.mode}`;
+    if (rules.map && proof.map !== rules.map) return `board ${entry.board} takes ${rules.map} runs, proof is ${proof.map}`;
+    // Proofs from before the course library are all Stelvio runs
+    if (rules.course && (proof.course || 'stelvio') !== rules.course) {
+        return `board ${entry.board} takes ${rules.course} runs, proof is ${proof.course || 'stelvio'}`;
+    }
+    if (rules.daily !== undefined && !!proof.daily !== rules.daily) {
+        return rules.daily ? 'daily board entry without a daily run' : 'daily run on a non-daily board';
+    }
+    // Swapped-in terrain courses are test rides (the game never submits them)
+    if (proof.terrain) return `proof rode the swapped-in terrain course ${proof.terrain}`;
+    if (rules.mode === 'og' && entry.map !== proof.map) return `claimed map ${entry.map}, proof is ${proof.map}`;
+
+    let replay;
+    try {
+        replay = decodeProof(proof);
+    } catch (e) {
+        return 'corrupt input log: ' + e.message;
+    }
+    if (!Array.isArray(replay.frames) || replay.frames.length === 0) return 'empty input log';
+    if (replay.frames.length !== proof.frameCount) return `input log has ${replay.frames.length} frames, proof says ${proof.frameCount}`;
+    if (replay.frames.some(f => !Array.isArray(f) || !(f[0] > 0 && f[0] <= MAX_FRAME_DT))) return 'frame timestep out of range';
+
+    let result;
+    try {
+        result = runSimulation({ replay });
+    } catch (e) {
+        return 're-simulation failed: ' + e.message;
+    }
+
+    if (rules.mode === 'og') {
+        if (result.endReason !== 'gameOver') return 'run never ended';
+        if (result.score !== entry.score) return `claimed score ${entry.score}, re-simulated ${result.score}`;
+        if (result.distance !== entry.distance) return `claimed distance ${entry.distance}, re-simulated ${result.distance}`;
+        if (Math.abs(result.maxCombo - entry.combo) > COMBO_TOLERANCE) return `claimed combo ${entry.combo}, re-simulated ${result.maxCombo}`;
+        return null;
+    }
+
+    const race = rules.mode === 'slalom' ? result.slalom : result.olympics;
+    if (!race || !race.finished) return 'run never finished';
+    const time = Math.round(race.time * 1000) / 1000;
+    if (time !== entry.time) return `claimed time ${entry.time}, re-simulated ${time}`;
+    return null;
+}
+
+function readEntries(folder) {
+    const entries = [];
+    for (const file of fs.readdirSync(folder).filter(f => f.endsWith('.json')).sort()) {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(path.join(folder, file), 'utf8'));
+        } catch (e) {
+            entries.push({ file, index: 0, entry: null, error: 'unreadable JSON: ' + e.message });
+            continue;
+        }
+        (Array.isArray(data) ? data : [data]).forEach((entry, index) => entries.push({ file, index, entry }));
+    }
+    return entries;
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const folder = args.find(a => !a.startsWith('--'));
+    if (!folder || args.includes('--help')) {
+        console.log('Usage: node tools/verify-scores.js <folder> [--json]');
+        console.log('Rejects entries whose replay proof doesn\'t reproduce the claimed result, and');
+        console.log('anything that isn\'t an entry object. Exits with code 1 when any are rejected.');
+        return;
+    }
+
+    // The version this checkout simulates; a one-frame run is enough to read it
+    const simVersion = runSimulation({ maxSeconds: 1 / 60 }).simVersion;
+    const report = readEntries(folder).map(({ file, index, entry, error }) => {
+        let reason = error;
+        if (!reason) {
+            // One malformed submission mustn't cost the rest of the batch its verdicts
+            try {
+                reason = verifyEntry(entry, simVersion);
+            } catch (e) {
+                reason = 'malformed entry: ' + e.message;
+            }
+        }
+        return {
+            file,
+            index,
+            board: entry && entry.board,
+            name: entry && entry.name,
+            ok: !reason,
+            reason: reason || undefined
+        };
+    });
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        for (const r of report) {
+            const where = `${r.file}${r.index ? '#' + r.index : ''}`;
+            console.log(`${r.ok ? 'OK    ' : 'REJECT'} ${where} ${r.board || ''} ${r.name || ''}${r.ok ? '' : ' — ' + r.reason}`);
+        }
+        const rejected = report.filter(r => !r.ok).length;
+        console.log(`\n${report.length - rejected} verified, ${rejected} rejected`);
+    }
+    if (report.some(r => !r.ok)) process.exitCode = 1;
+}
+
+if (require.main === module) main();
+
+module.exports = { decodeProof, verifyEntry };